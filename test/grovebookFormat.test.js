@@ -0,0 +1,59 @@
+const assert = require("assert");
+const vscode = require("vscode");
+const { parseGrovebookCells, grovebookToNotebookData, notebookDataToGrovebook } = require("../extension");
+
+const roundTrip = (text) => {
+  const data = grovebookToNotebookData(text);
+  return notebookDataToGrovebook(data.cells, data.metadata);
+};
+
+suite("Grovebook notebook format", () => {
+  test("splits fenced code blocks from the markdown around them", () => {
+    const cells = parseGrovebookCells("# Title\n\n```js id=a1\nx = 1\n```\n\nText\n");
+    assert.deepStrictEqual(
+      cells.map(({ kind, language, id, source }) => ({ kind, language, id, source })),
+      [
+        { kind: "markdown", language: undefined, id: undefined, source: "# Title\n" },
+        { kind: "code", language: "js", id: "a1", source: "x = 1" },
+        { kind: "markdown", language: undefined, id: undefined, source: "\nText\n" },
+      ]
+    );
+  });
+
+  test("keeps longer fences open across shorter ones", () => {
+    const cells = parseGrovebookCells("````md\n```js\nx\n```\n````\n");
+    assert.strictEqual(cells[0].kind, "code");
+    assert.strictEqual(cells[0].source, "```js\nx\n```");
+  });
+
+  const samples = {
+    "plain markdown": "# Title\n\nSome text.\n",
+    "code and markdown": "# Title\n\n```js\nx = 1\n```\n\nMore text\n\n```py {id=\"b\"}\ny = 2\n```\n",
+    "CRLF line endings": "# Title\r\n\r\n```js\r\nx = 1\r\n```\r\n",
+    "no trailing newline": "Intro\n\n```js\nx = 1\n```",
+    "leading blank lines": "\n\n```js\nx = 1\n```\n\n\n\nText",
+    "unclosed fence": "Text\n\n```js\nx = 1\n",
+    "empty code cell": "```js\n```\n",
+    "indented and tilde fences": "  ~~~sh\n  ls\n  ~~~\n",
+    "empty file": "",
+  };
+  for (const [name, text] of Object.entries(samples)) {
+    test(`round-trips ${name} byte for byte`, () => {
+      assert.strictEqual(roundTrip(text), text);
+    });
+  }
+
+  test("rewrites the fence when a cell's language changes", () => {
+    const data = grovebookToNotebookData("```js id=a1\nx = 1\n```\n");
+    data.cells[0].languageId = "python";
+    assert.strictEqual(notebookDataToGrovebook(data.cells, data.metadata), "```python id=a1\nx = 1\n```\n");
+  });
+
+  test("writes fences for cells added in the notebook", () => {
+    const cells = [
+      new vscode.NotebookCellData(vscode.NotebookCellKind.Markup, "# New", "markdown"),
+      new vscode.NotebookCellData(vscode.NotebookCellKind.Code, "x = 1", "javascript"),
+    ];
+    assert.strictEqual(notebookDataToGrovebook(cells), "# New\n\n```js\nx = 1\n```\n\n");
+  });
+});
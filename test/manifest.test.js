@@ -0,0 +1,53 @@
+const assert = require("assert");
+const path = require("path");
+const { createLocalFilePath, getRemoteTarget, getWorkingDirPath } = require("../extension");
+
+suite("Sync manifest path mapping", () => {
+  const local = (...segments) => path.join(getWorkingDirPath(), ...segments);
+
+  test("maps manifest entries to their exact remote file", () => {
+    const files = {
+      "http__my_host_3000/a.md": { baseUrl: "http://my_host:3000", projectId: "p_1", fileName: "notes_v2.md" },
+    };
+    assert.deepStrictEqual(getRemoteTarget(local("http__my_host_3000", "a.md"), files), {
+      baseUrl: "http://my_host:3000",
+      projectId: "p_1",
+      fileName: "notes_v2.md",
+    });
+  });
+
+  test("reuses the recorded local path when a file is downloaded again", () => {
+    const files = {
+      "custom/notes.md": { baseUrl: "https://grove.example.com", projectId: "p1", fileName: "notes.md" },
+    };
+    assert.strictEqual(
+      createLocalFilePath("https://grove.example.com", "/api/grove/file/p1/notes.md", files),
+      local("custom", "notes.md"),
+    );
+  });
+
+  test("does not reuse a path mapped to another remote file", () => {
+    const filePath = "/api/grove/file/p1/notes.md";
+    const first = createLocalFilePath("https://grove.example.com", filePath, {});
+    const key = path.relative(getWorkingDirPath(), first).split(path.sep).join("/");
+    const files = { [key]: { baseUrl: "https://other.example.com", projectId: "p1", fileName: "notes.md" } };
+    const second = createLocalFilePath("https://grove.example.com", filePath, files);
+    assert.notStrictEqual(second, first);
+    assert.ok(second.endsWith("~2.md"));
+  });
+
+  test("decodes files downloaded before the manifest existed", () => {
+    const legacy = local("https__grove.example.com", "__api__grove__file__p1__notes.md");
+    assert.deepStrictEqual(getRemoteTarget(legacy, {}), {
+      baseUrl: "https://grove.example.com",
+      projectId: "p1",
+      fileName: "notes.md",
+    });
+  });
+
+  test("ignores files outside the working directory", () => {
+    const outside = path.join(path.dirname(getWorkingDirPath()), "elsewhere", "https__grove.example.com", "x.md");
+    assert.strictEqual(getRemoteTarget(outside, {}), null);
+    assert.strictEqual(getRemoteTarget(`${getWorkingDirPath()}-copy/a.md`, { "../x": {} }), null);
+  });
+});
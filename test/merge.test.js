@@ -0,0 +1,52 @@
+const assert = require("assert");
+const { hasConflictMarkers, mergeWithConflictMarkers } = require("../extension");
+
+suite("Three-way merge fallback", () => {
+  test("takes non-overlapping changes from both sides", () => {
+    const base = "a\nb\nc\nd";
+    const local = "a\nB\nc\nd";
+    const remote = "a\nb\nc\nD";
+    assert.deepStrictEqual(mergeWithConflictMarkers(base, local, remote), { text: "a\nB\nc\nD", conflicts: 0 });
+  });
+
+  test("keeps a change made identically on both sides once", () => {
+    const { text, conflicts } = mergeWithConflictMarkers("a\nb\nc", "a\nx\nc", "a\nx\nc");
+    assert.strictEqual(text, "a\nx\nc");
+    assert.strictEqual(conflicts, 0);
+  });
+
+  test("wraps overlapping changes in conflict markers", () => {
+    const { text, conflicts } = mergeWithConflictMarkers("a\nb\nc", "a\nlocal\nc", "a\nremote\nc");
+    assert.strictEqual(conflicts, 1);
+    assert.strictEqual(text, "a\n<<<<<<< Local\nlocal\n||||||| Base\nb\n=======\nremote\n>>>>>>> Remote\nc");
+    assert.ok(hasConflictMarkers(text));
+  });
+
+  test("handles lines added at the end on one side", () => {
+    const { text, conflicts } = mergeWithConflictMarkers("a\nb", "a\nb\nlocal", "a\nb");
+    assert.strictEqual(text, "a\nb\nlocal");
+    assert.strictEqual(conflicts, 0);
+  });
+});
+
+suite("Conflict marker detection", () => {
+  test("ignores setext heading underlines", () => {
+    assert.strictEqual(hasConflictMarkers("Title\n=======\n\nText"), false);
+  });
+
+  test("ignores markers that are out of order or incomplete", () => {
+    assert.strictEqual(hasConflictMarkers(">>>>>>> x\n=======\n<<<<<<< y"), false);
+    assert.strictEqual(hasConflictMarkers("<<<<<<< Local\nx\n=======\ny"), false);
+  });
+
+  test("finds a complete block", () => {
+    assert.strictEqual(hasConflictMarkers("<<<<<<< Local\nx\n=======\ny\n>>>>>>> Remote\n"), true);
+  });
+
+  test("matches only the merge's own labels when asked to", () => {
+    const { text } = mergeWithConflictMarkers("a\nb\nc", "a\nlocal\nc", "a\nremote\nc");
+    assert.strictEqual(hasConflictMarkers(text, { labelled: true }), true);
+    assert.strictEqual(hasConflictMarkers(text.replace(/\n/g, "\r\n"), { labelled: true }), true);
+    assert.strictEqual(hasConflictMarkers("<<<<<<< HEAD\nx\n=======\ny\n>>>>>>> main\n", { labelled: true }), false);
+  });
+});
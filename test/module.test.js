@@ -0,0 +1,81 @@
+const assert = require("assert");
+const { grovebookToModule } = require("../extension");
+
+const grovebook = (...cells) => cells.map((cell) => `\`\`\`js\n${cell}\n\`\`\`\n`).join("\n");
+const toModule = (...cells) => grovebookToModule(grovebook(...cells), "test.md");
+
+suite("Export as JavaScript module", () => {
+  test("declares Observable assignments and exports them", () => {
+    const module = toModule("a = 1", "viewof size = Inputs.range([1, 10])", "mutable count = 0");
+    assert.ok(module.includes("\nconst a = 1;\n"));
+    assert.ok(module.includes("\nconst size = Inputs.range([1, 10]); // viewof size in the grovebook\n"));
+    assert.ok(module.includes("\nlet count = 0; // mutable count in the grovebook\n"));
+    assert.ok(module.endsWith("export { a, size, count };\n"));
+  });
+
+  test("keeps comments around an Observable assignment", () => {
+    const module = toModule("// The answer\nanswer = 42 // checked");
+    assert.ok(module.includes("\n// The answer\nconst answer = 42; // checked\n"));
+  });
+
+  test("leaves cells with more than one statement unchanged", () => {
+    const cell = "x = 1;\ny = x + 1;";
+    const module = toModule(cell);
+    assert.ok(module.includes(`\n${cell}\n`));
+    assert.ok(!module.includes("export {"));
+  });
+
+  test("does not rewrite assignments inside code", () => {
+    const cell = "function reset() {\n  total = 0;\n}";
+    const module = toModule(cell);
+    assert.ok(module.includes(`\n${cell}\n`));
+    assert.ok(module.endsWith("export { reset };\n"));
+  });
+
+  test("leaves cells that don't parse unchanged", () => {
+    const cell = "chart = {\n  const svg = d3.create(\"svg\");\n  return svg.node();\n}";
+    assert.ok(toModule(cell).includes(`\n${cell}\n`));
+  });
+
+  test("keeps assignments to names declared elsewhere as assignments", () => {
+    const module = toModule("let total = 0", "total = 5", "a = 1", "a = 2", "viewof a = 3");
+    assert.ok(module.includes("\ntotal = 5;\n"));
+    assert.ok(module.includes("\nlet a = 1;\n"));
+    assert.ok(module.includes("\na = 2;\n"));
+    assert.ok(module.includes("\na = 3; // viewof a in the grovebook\n"));
+    assert.ok(module.endsWith("export { total, a };\n"));
+  });
+
+  test("exports only names declared once", () => {
+    const module = toModule("let x = 1", "var x = 2", "const { a, b: [c] } = data", "class Chart {}");
+    assert.ok(module.endsWith("export { a, c, Chart };\n"));
+  });
+
+  test("generates a module that imports and runs", async () => {
+    const module = toModule(
+      "a = 1",
+      "a = a + 1",
+      "let total = 0",
+      "total = 5",
+      "viewof size = 3",
+      "mutable count = 0",
+      "count = count + 1",
+      "function double(x) {\n  return x * 2;\n}",
+      "doubled = double(a)",
+    );
+    const exports = await import(`data:text/javascript,${encodeURIComponent(module)}`);
+    assert.deepStrictEqual({ ...exports }, { a: 2, total: 5, size: 3, count: 1, double: exports.double, doubled: 4 });
+  });
+
+  test("does not export names a cell already exports", () => {
+    const module = toModule("export function helper() {}", "value = helper()");
+    assert.ok(module.includes("\nexport function helper() {}\n"));
+    assert.ok(module.endsWith("export { value };\n"));
+  });
+
+  test("leaves out code cells in other languages", () => {
+    const module = grovebookToModule("```py\nx = 1\n```\n", "test.md");
+    assert.ok(module.includes("// Cell 1 (py) left out"));
+    assert.ok(!module.includes("x = 1"));
+  });
+});
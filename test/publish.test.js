@@ -0,0 +1,45 @@
+const assert = require("assert");
+const { rewriteServerUrls } = require("../extension");
+
+suite("Publish URL rewriting", () => {
+  const DEV = "https://dev.example.com";
+  const PROD = "https://graphxr.example.com";
+
+  test("rewrites links to the source server, keeping paths and queries", () => {
+    const content = "See [data](https://dev.example.com/api/grove/file/p1/data.csv?v=2) and https://dev.example.com.";
+    assert.deepStrictEqual(rewriteServerUrls(content, DEV, PROD), {
+      content: "See [data](https://graphxr.example.com/api/grove/file/p1/data.csv?v=2) and https://graphxr.example.com.",
+      count: 2,
+    });
+  });
+
+  test("rewrites the WebSocket form of the origin", () => {
+    const { content, count } = rewriteServerUrls("io(\"wss://dev.example.com/socket\")", DEV, "http://localhost:3000");
+    assert.strictEqual(content, "io(\"ws://localhost:3000/socket\")");
+    assert.strictEqual(count, 1);
+  });
+
+  test("matches the scheme and host case-insensitively", () => {
+    assert.strictEqual(rewriteServerUrls("HTTPS://DEV.Example.com/x", DEV, PROD).content, "https://graphxr.example.com/x");
+  });
+
+  test("only replaces whole origins", () => {
+    const content = [
+      "https://dev.example.com.evil.net/",
+      "https://dev.example.com-mirror.net/",
+      "https://dev.example.com:8443/",
+      "https://sub.dev.example.com/",
+      "http://dev.example.com/",
+      "https://devXexample.com/",
+    ].join("\n");
+    assert.deepStrictEqual(rewriteServerUrls(content, DEV, PROD), { content, count: 0 });
+  });
+
+  test("tells ports apart", () => {
+    const content = "http://localhost:3000/a http://localhost:30001/b";
+    assert.deepStrictEqual(rewriteServerUrls(content, "http://localhost:3000", PROD), {
+      content: "https://graphxr.example.com/a http://localhost:30001/b",
+      count: 1,
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require("assert");
+const http = require("http");
+const vscode = require("vscode");
+const {
+  addPendingSignIn,
+  handleSignInCallback,
+  getApiKey,
+  deleteApiKey,
+  removeServerProfile,
+} = require("../extension");
+
+const ISSUED_KEY = "issued-key";
+
+// Stands in for a Grove server: only the issued key passes the whoami check
+function startStandInServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === "/api/grove/whoami" && req.headers["x-api-key"] === ISSUED_KEY) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ user: { email: "ada@example.com" } }));
+    } else {
+      res.writeHead(401);
+      res.end();
+    }
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+const callback = (params) =>
+  vscode.Uri.parse(`${vscode.env.uriScheme}://kineviz.grovebook-editor/auth-callback?${new URLSearchParams(params)}`);
+
+suite("Browser sign-in callback", () => {
+  let server;
+  let origin;
+
+  suiteSetup(async () => {
+    await vscode.extensions.getExtension("kineviz.grovebook-editor").activate();
+    server = await startStandInServer();
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  teardown(() => deleteApiKey(origin));
+
+  suiteTeardown(async () => {
+    await removeServerProfile(origin);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("stores the issued key for a pending sign-in", async () => {
+    const state = await addPendingSignIn(origin);
+    await handleSignInCallback(callback({ state, api_key: ISSUED_KEY }));
+    assert.strictEqual(await getApiKey(origin), ISSUED_KEY);
+  });
+
+  test("ignores callbacks with an unknown state", async () => {
+    await addPendingSignIn(origin);
+    await handleSignInCallback(callback({ state: "not-the-state", api_key: ISSUED_KEY }));
+    assert.strictEqual(await getApiKey(origin), undefined);
+  });
+
+  test("accepts each state only once", async () => {
+    const state = await addPendingSignIn(origin);
+    await handleSignInCallback(callback({ state, api_key: ISSUED_KEY }));
+    await deleteApiKey(origin);
+    await handleSignInCallback(callback({ state, api_key: ISSUED_KEY }));
+    assert.strictEqual(await getApiKey(origin), undefined);
+  });
+
+  test("ignores callbacks for expired sign-ins", async () => {
+    const state = await addPendingSignIn(origin);
+    const now = Date.now;
+    const later = now() + 6 * 60 * 1000;
+    Date.now = () => later;
+    try {
+      await handleSignInCallback(callback({ state, api_key: ISSUED_KEY }));
+    } finally {
+      Date.now = now;
+    }
+    assert.strictEqual(await getApiKey(origin), undefined);
+  });
+
+  test("does not store a key the server rejects", async () => {
+    const state = await addPendingSignIn(origin);
+    await handleSignInCallback(callback({ state, api_key: "forged-key" }));
+    assert.strictEqual(await getApiKey(origin), undefined);
+  });
+
+  test("does not store anything when the server reports an error", async () => {
+    const state = await addPendingSignIn(origin);
+    await handleSignInCallback(callback({ state, error: "access_denied" }));
+    assert.strictEqual(await getApiKey(origin), undefined);
+  });
+});